@@ -0,0 +1,70 @@
+/**
+ * Sports Hub - Service Worker
+ * 
+ * Precaches the app shell so the page opens without a connection. League data
+ * is not handled here: app.js keeps it in IndexedDB and shows saved copies
+ * while offline (see fetchFromProviders).
+ */
+
+// Bump the version when the shell files change so clients pick them up
+const CACHE_NAME = 'sports-hub-shell-v1';
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './styles.css',
+    './app.js',
+    './manifest.webmanifest',
+    './icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop shells cached by earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Serve shell files from the cache straight away and refresh the cached copy
+ * in the background, so the next load gets any update
+ */
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    
+    // API and ESPN requests go to the network; app.js caches their data itself
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+    
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            // Page loads may carry a query or hash; they all get index.html
+            const cacheKey = event.request.mode === 'navigate' ? './index.html' : event.request;
+            const cached = await cache.match(cacheKey, { ignoreSearch: true });
+            
+            const network = fetch(event.request)
+                .then(response => {
+                    if (response.ok) cache.put(cacheKey, response.clone());
+                    return response;
+                })
+                .catch(() => cached || Response.error());
+            
+            if (cached) {
+                event.waitUntil(network);
+                return cached;
+            }
+            return network;
+        })
+    );
+});